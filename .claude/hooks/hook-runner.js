@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Pre/post tool-use hook runner driven by a declarative rule file.
+ *
+ * Usage (from settings.json):
+ *   hook-runner.js [--rules <file>] < tool-call.json
+ *
+ * Reads the hook payload Claude Code sends on stdin, evaluates every rule in
+ * `rules.json` (or `--rules`) whose `event` and `tools` match, and:
+ *
+ *   - `deny` / `ask`  stop at the first match and print a permission decision;
+ *   - `run`           runs a command per matching file (e.g. a formatter);
+ *   - `log`           appends the tool, its command or path and the decision to
+ *                     a JSON-lines file (never the file contents).
+ *
+ * When no rule denies or asks, nothing is printed and Claude Code's normal
+ * permission settings apply; the runner never grants permissions itself.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { matchesAny, normalise } = require('../scripts/lib/glob');
+const { currentPhase, repoRoot } = require('../scripts/workflow-phase');
+
+const RULES_FILE = path.join(__dirname, 'rules.json');
+const FILE_FIELDS = ['file_path', 'notebook_path'];
+// What the audit log records of a call; file contents are deliberately left out.
+const TARGET_FIELDS = ['command', ...FILE_FIELDS, 'path', 'url'];
+
+function loadRules(file = RULES_FILE) {
+  const { rules } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(rules)) throw new Error(`${file}: "rules" must be an array`);
+  return rules;
+}
+
+function projectDir(payload) {
+  return process.env.CLAUDE_PROJECT_DIR || payload.cwd || process.cwd();
+}
+
+function expandHome(file) {
+  return file.replace(/^~(?=$|[/\\])/, os.homedir());
+}
+
+function listIncludes(list, value) {
+  if (!list) return true;
+  const values = [].concat(list);
+  return values.includes('*') || values.includes(value);
+}
+
+function filesOf(payload) {
+  const input = payload.tool_input || {};
+  const root = projectDir(payload);
+  return FILE_FIELDS.filter((field) => typeof input[field] === 'string').map((field) =>
+    path.resolve(root, input[field])
+  );
+}
+
+// An unreadable state file means no known phase, so phase-limited rules skip.
+function phaseOf(root) {
+  try {
+    return currentPhase(repoRoot(root));
+  } catch (error) {
+    process.stderr.write(`hook-runner: ignoring workflow state: ${error.message}\n`);
+    return null;
+  }
+}
+
+function isOutside(root, file) {
+  const relative = path.relative(root, file);
+  return relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative);
+}
+
+/**
+ * Whether a rule's conditions all hold for the payload. A rule with no
+ * conditions applies to every call of its event and tools.
+ *
+ * @param {object} rule
+ * @param {object} payload
+ * @returns {boolean}
+ */
+function ruleApplies(rule, payload) {
+  const input = payload.tool_input || {};
+  const root = projectDir(payload);
+
+  if (!listIncludes(rule.event, payload.hook_event_name)) return false;
+  if (!listIncludes(rule.tools, payload.tool_name)) return false;
+
+  for (const [field, pattern] of Object.entries(rule.match || {})) {
+    let regExp;
+    try {
+      regExp = new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`rule "${rule.name}": ${error.message}`);
+    }
+    if (typeof input[field] !== 'string' || !regExp.test(input[field])) return false;
+  }
+
+  if (rule.files) {
+    const relative = filesOf(payload).map((file) => normalise(path.relative(root, file)));
+    if (!relative.some((file) => matchesAny(file, rule.files))) return false;
+  }
+
+  if (rule.outsideProject) {
+    const fields = [].concat(rule.outsideProject);
+    const outside = fields.some(
+      (field) =>
+        typeof input[field] === 'string' && isOutside(root, path.resolve(root, input[field]))
+    );
+    if (!outside) return false;
+  }
+
+  if (rule.phases && !rule.phases.includes(phaseOf(root))) return false;
+
+  return true;
+}
+
+function runCommand(rule, payload) {
+  const root = projectDir(payload);
+  const files = filesOf(payload).filter(
+    (file) => !rule.files || matchesAny(normalise(path.relative(root, file)), rule.files)
+  );
+  const [command, ...args] = rule.command;
+
+  for (const file of files) {
+    try {
+      execFileSync(
+        command,
+        args.map((arg) => arg.replace(/\{file\}/g, file)),
+        { cwd: root, stdio: ['ignore', 'ignore', 'pipe'], timeout: rule.timeout || 30000 }
+      );
+    } catch (error) {
+      process.stderr.write(`hook-runner: ${rule.name} failed for ${file}: ${error.message}\n`);
+    }
+  }
+}
+
+function appendLog(rule, payload, result) {
+  const file = path.resolve(projectDir(payload), expandHome(rule.file));
+  const input = payload.tool_input || {};
+  const entry = {
+    time: new Date().toISOString(),
+    session: payload.session_id,
+    event: payload.hook_event_name,
+    tool: payload.tool_name,
+    target: TARGET_FIELDS.map((field) => input[field]).find((value) => typeof value === 'string'),
+    decision: result.decision,
+    rule: result.rule,
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    process.stderr.write(`hook-runner: ${rule.name} could not write ${file}: ${error.message}\n`);
+  }
+}
+
+/**
+ * Decides a tool call against the rules without side effects.
+ *
+ * @param {object} payload  hook payload from Claude Code
+ * @param {object[]} rules
+ * @returns {{ decision: 'allow'|'deny'|'ask', reason?: string, rule?: string, matched: object[] }}
+ */
+function evaluate(payload, rules) {
+  const matched = rules.filter((rule) => ruleApplies(rule, payload));
+  const blocking = matched.find((rule) => rule.action === 'deny' || rule.action === 'ask');
+
+  if (blocking) {
+    return {
+      decision: blocking.action,
+      reason: blocking.reason || `Blocked by hook rule "${blocking.name}".`,
+      rule: blocking.name,
+      matched,
+    };
+  }
+  return { decision: 'allow', matched };
+}
+
+/**
+ * Evaluates the payload and carries out the `run` and `log` side effects.
+ * Commands only run when the call is allowed; every call is logged.
+ *
+ * @param {object} payload
+ * @param {object[]} [rules]
+ * @returns {{ decision: string, reason?: string, rule?: string }}
+ */
+function handle(payload, rules = loadRules()) {
+  const { matched, ...result } = evaluate(payload, rules);
+
+  for (const rule of matched) {
+    if (rule.action === 'run' && result.decision === 'allow') runCommand(rule, payload);
+    if (rule.action === 'log') appendLog(rule, payload, result);
+  }
+
+  return result;
+}
+
+function toHookOutput(payload, result) {
+  if (result.decision === 'allow') return null;
+
+  if (payload.hook_event_name === 'PreToolUse') {
+    return {
+      hookSpecificOutput: {
+        hookEventName: 'PreToolUse',
+        permissionDecision: result.decision,
+        permissionDecisionReason: result.reason,
+      },
+    };
+  }
+  // Other events cannot ask; both decisions surface as a block with the reason.
+  return { decision: 'block', reason: result.reason };
+}
+
+/**
+ * Exit code 2 is the only one Claude Code treats as blocking, so a broken
+ * payload or rule file stops a PreToolUse call (or one whose event cannot be
+ * read) instead of silently switching the guards off.
+ */
+function main(argv) {
+  const rulesIndex = argv.indexOf('--rules');
+  const rulesFile = rulesIndex === -1 ? RULES_FILE : path.resolve(argv[rulesIndex + 1] || '');
+
+  let payload;
+  try {
+    payload = JSON.parse(fs.readFileSync(0, 'utf8'));
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      throw new Error('hook payload must be a JSON object');
+    }
+
+    const output = toHookOutput(payload, handle(payload, loadRules(rulesFile)));
+    if (output) process.stdout.write(`${JSON.stringify(output)}\n`);
+    return 0;
+  } catch (error) {
+    process.stderr.write(`hook-runner: ${error.message} (rules: ${rulesFile})\n`);
+    const event = payload && payload.hook_event_name;
+    return !event || event === 'PreToolUse' ? 2 : 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { loadRules, ruleApplies, evaluate, handle, toHookOutput, main };
@@ -0,0 +1,191 @@
+'use strict';
+
+const test = require('node:test');
+const { before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { loadRules, evaluate, handle, toHookOutput } = require('../hook-runner');
+
+const RUNNER = path.join(__dirname, '..', 'hook-runner.js');
+const rules = loadRules();
+
+function pre(tool, input, cwd = '/work/repo') {
+  return { hook_event_name: 'PreToolUse', tool_name: tool, tool_input: input, cwd };
+}
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'hook-runner-'));
+}
+
+// Claude Code sets this for everything it runs; it would override each payload's cwd.
+const projectDir = process.env.CLAUDE_PROJECT_DIR;
+before(() => {
+  delete process.env.CLAUDE_PROJECT_DIR;
+});
+after(() => {
+  if (projectDir !== undefined) process.env.CLAUDE_PROJECT_DIR = projectDir;
+});
+
+test('denies recursive force deletes in any flag order', () => {
+  for (const command of [
+    'rm -rf build',
+    'rm -fr /',
+    'sudo rm -Rf x',
+    'rm -r -f x',
+    'rm --recursive --force x',
+    'rm -r -v -f /',
+    'rm -rv -f x',
+    'rm -f build -r',
+    'rm --force -v --recursive x',
+  ]) {
+    const result = evaluate(pre('Bash', { command }), rules);
+    assert.strictEqual(result.decision, 'deny', command);
+    assert.strictEqual(result.rule, 'no-recursive-force-delete');
+  }
+});
+
+test('allows ordinary deletes and other commands', () => {
+  for (const command of ['rm file.txt', 'rm -r build', 'npm test', 'grep -rf patterns src', 'rm -r x; ls -f', 'rm file-rf.txt']) {
+    assert.strictEqual(evaluate(pre('Bash', { command }), rules).decision, 'allow', command);
+  }
+});
+
+test('asks before a force push', () => {
+  const result = evaluate(pre('Bash', { command: 'git push origin main --force' }), rules);
+  assert.strictEqual(result.decision, 'ask');
+});
+
+test('denies writes outside the project directory', () => {
+  const outside = evaluate(pre('Write', { file_path: '/etc/hosts' }), rules);
+  const escaping = evaluate(pre('Edit', { file_path: '../other/file.js' }), rules);
+  const inside = evaluate(pre('Write', { file_path: '/work/repo/src/a.js' }), rules);
+  const relative = evaluate(pre('Edit', { file_path: 'src/a.js' }), rules);
+
+  assert.strictEqual(outside.decision, 'deny');
+  assert.strictEqual(escaping.decision, 'deny');
+  assert.strictEqual(inside.decision, 'allow');
+  assert.strictEqual(relative.decision, 'allow');
+});
+
+test('run rules execute once per matching file after an edit', () => {
+  const dir = tmpDir();
+  const marker = path.join(dir, 'ran.txt');
+  const runRules = [
+    {
+      name: 'touch',
+      event: 'PostToolUse',
+      tools: ['Edit'],
+      files: ['**/*.js'],
+      action: 'run',
+      command: [process.execPath, '-e', `require('fs').appendFileSync(${JSON.stringify(marker)}, process.argv[1] + '\\n')`, '{file}'],
+    },
+  ];
+
+  handle({ hook_event_name: 'PostToolUse', tool_name: 'Edit', tool_input: { file_path: 'a.js' }, cwd: dir }, runRules);
+  handle({ hook_event_name: 'PostToolUse', tool_name: 'Edit', tool_input: { file_path: 'a.md' }, cwd: dir }, runRules);
+
+  assert.strictEqual(fs.readFileSync(marker, 'utf8'), `${path.join(dir, 'a.js')}\n`);
+});
+
+test('log rules append the target and decision, not file contents', () => {
+  const dir = tmpDir();
+  const logRules = [
+    ...rules.filter((rule) => rule.action === 'deny'),
+    { name: 'audit', event: '*', action: 'log', file: 'logs/audit.jsonl' },
+  ];
+
+  handle(pre('Bash', { command: 'rm -rf x' }, dir), logRules);
+  handle(pre('Write', { file_path: '.env', content: 'SECRET=hunter2' }, dir), logRules);
+
+  const entries = fs
+    .readFileSync(path.join(dir, 'logs', 'audit.jsonl'), 'utf8')
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line));
+  assert.deepStrictEqual(
+    entries.map(({ tool, target, decision, rule }) => ({ tool, target, decision, rule })),
+    [
+      { tool: 'Bash', target: 'rm -rf x', decision: 'deny', rule: 'no-recursive-force-delete' },
+      { tool: 'Write', target: '.env', decision: 'allow', rule: undefined },
+    ]
+  );
+  assert.doesNotMatch(fs.readFileSync(path.join(dir, 'logs', 'audit.jsonl'), 'utf8'), /hunter2/);
+});
+
+test('the shipped audit rule logs each call once, before it runs', () => {
+  const audited = (payload) => evaluate(payload, rules).matched.some((rule) => rule.name === 'audit-log');
+  const call = pre('Bash', { command: 'rm -rf x' });
+
+  assert.ok(audited(call));
+  assert.ok(!audited({ ...call, hook_event_name: 'PostToolUse' }));
+});
+
+test('hook output only speaks up to deny or ask', () => {
+  assert.strictEqual(toHookOutput(pre('Bash', {}), { decision: 'allow' }), null);
+  assert.deepStrictEqual(toHookOutput(pre('Bash', {}), { decision: 'deny', reason: 'no' }), {
+    hookSpecificOutput: {
+      hookEventName: 'PreToolUse',
+      permissionDecision: 'deny',
+      permissionDecisionReason: 'no',
+    },
+  });
+});
+
+test('cli: reads the payload from stdin and prints the decision', () => {
+  const rulesFile = path.join(tmpDir(), 'rules.json');
+  fs.writeFileSync(rulesFile, JSON.stringify({ rules: rules.filter((rule) => rule.action === 'deny') }));
+
+  const denied = execFileSync(process.execPath, [RUNNER, '--rules', rulesFile], {
+    input: JSON.stringify(pre('Bash', { command: 'rm -rf /' })),
+  }).toString();
+  const allowed = execFileSync(process.execPath, [RUNNER, '--rules', rulesFile], {
+    input: JSON.stringify(pre('Bash', { command: 'ls' })),
+  }).toString();
+
+  assert.strictEqual(JSON.parse(denied).hookSpecificOutput.permissionDecision, 'deny');
+  assert.strictEqual(allowed, '');
+});
+
+test('cli: broken rules or payloads block PreToolUse calls', () => {
+  const dir = tmpDir();
+  const badRegex = path.join(dir, 'bad-regex.json');
+  const noRules = path.join(dir, 'no-rules.json');
+  fs.writeFileSync(
+    badRegex,
+    JSON.stringify({ rules: [{ name: 'broken', tools: ['Bash'], match: { command: '(' }, action: 'deny' }] })
+  );
+  fs.writeFileSync(noRules, JSON.stringify({}));
+  const rmRf = JSON.stringify(pre('Bash', { command: 'rm -rf /' }));
+
+  for (const [args, input, message] of [
+    [['--rules', path.join(dir, 'missing.json')], rmRf, /ENOENT/],
+    [['--rules', badRegex], rmRf, /rule "broken": Invalid regular expression/],
+    [['--rules', noRules], rmRf, /"rules" must be an array/],
+    [[], 'null', /hook payload must be a JSON object/],
+    [[], '[]', /hook payload must be a JSON object/],
+    [[], '{', /JSON/],
+  ]) {
+    assert.throws(
+      () => execFileSync(process.execPath, [RUNNER, ...args], { input, stdio: 'pipe' }),
+      (error) =>
+        error.status === 2 && message.test(error.stderr) && !/\n\s+at /.test(error.stderr),
+      `${args.join(' ')} ${input}`
+    );
+  }
+});
+
+test('cli: broken rules on other events report without blocking', () => {
+  const input = JSON.stringify({ ...pre('Edit', { file_path: 'a.js' }), hook_event_name: 'PostToolUse' });
+  assert.throws(
+    () =>
+      execFileSync(process.execPath, [RUNNER, '--rules', path.join(tmpDir(), 'missing.json')], {
+        input,
+        stdio: 'pipe',
+      }),
+    (error) => error.status === 1 && /^hook-runner: /.test(error.stderr)
+  );
+});
@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Installs, validates and removes the shared configuration in a home config
+ * directory (`~/.claude` by default).
+ *
+ * Usage:
+ *   claude-config [--home <dir>] <command> [--dry-run] [--force]
+ *
+ * Commands:
+ *   install    copy the shared files and merge settings.json; files you have
+ *              edited since the last install are kept unless --force, and
+ *              unedited files the shared config dropped are removed
+ *   diff       show what install would change, including permission rules
+ *   validate   check settings, hook rules and agents against the schemas
+ *   uninstall  remove installed files you have not edited and the settings
+ *              the install added
+ *   rollback   undo the last install or uninstall
+ *
+ * Bookkeeping lives in `<home>/.shared-config/`: `manifest.json` records the
+ * hash of every installed file, the shared settings.json and what was merged
+ * from it, and
+ * `backups/` holds what each install or uninstall replaced.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  mergeSettings,
+  unmergeSettings,
+  newSharedEntries,
+  splitAdditions,
+  combineAdditions,
+  permissionDiff,
+} = require('./lib/settings-merge');
+const { validateConfig } = require('./lib/validate-config');
+
+const SOURCE_DIR = path.resolve(__dirname, '..');
+const STATE_DIR = '.shared-config';
+const MANIFEST = `${STATE_DIR}/manifest.json`;
+const SETTINGS = 'settings.json';
+
+// Shipped in the package but not part of an installed config.
+const EXCLUDED = [/(^|\/)test\//, /^README\.md$/, new RegExp(`^${SETTINGS}$`)];
+
+function defaultHome() {
+  return process.env.CLAUDE_CONFIG_DIR || path.join(os.homedir(), '.claude');
+}
+
+function hash(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+function writeFile(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Deletes a file or directory and any parents it leaves empty, up to `home`.
+function removeFile(home, file) {
+  fs.rmSync(path.join(home, file), { force: true, recursive: true });
+  for (let dir = path.dirname(file); dir !== '.'; dir = path.dirname(dir)) {
+    const full = path.join(home, dir);
+    if (!fs.existsSync(full) || fs.readdirSync(full).length) break;
+    fs.rmdirSync(full);
+  }
+}
+
+function toJson(value) {
+  return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+/**
+ * Every shared file, relative to the source directory, with `/` separators.
+ *
+ * @param {string} [source]
+ * @returns {string[]}
+ */
+function listSharedFiles(source = SOURCE_DIR) {
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) walk(full);
+      else files.push(path.relative(source, full).split(path.sep).join('/'));
+    }
+  };
+  walk(source);
+  return files.filter((file) => !EXCLUDED.some((pattern) => pattern.test(file))).sort();
+}
+
+/**
+ * Works out what an install would do, without touching the home directory.
+ *
+ * Each shared file is `create`d when missing, left `unchanged` when identical,
+ * `update`d when the home copy is still the one last installed, and otherwise
+ * `keep`-ed as a local edit (or updated anyway with `force`). A file the last
+ * install added that the shared config no longer has is `remove`d, or kept if
+ * it has local edits.
+ *
+ * @param {string} home
+ * @param {{ source?: string, force?: boolean }} [options]
+ * @returns {{ files: {file: string, action: string}[], settings: object, before: object, added: object, shared: object }}
+ */
+function planInstall(home, { source = SOURCE_DIR, force = false } = {}) {
+  const manifest = readJson(path.join(home, MANIFEST), null);
+  const installed = manifest ? manifest.files : {};
+
+  const sharedFiles = listSharedFiles(source);
+  const files = sharedFiles.map((file) => {
+    const target = path.join(home, file);
+    if (!fs.existsSync(target)) return { file, action: 'create' };
+
+    const current = hash(target);
+    if (current === hash(path.join(source, file))) return { file, action: 'unchanged' };
+    if (force || installed[file] === current) return { file, action: 'update' };
+    return { file, action: 'keep' };
+  });
+
+  for (const [file, installedHash] of Object.entries(installed)) {
+    const target = path.join(home, file);
+    if (sharedFiles.includes(file) || !fs.existsSync(target)) continue;
+    files.push({ file, action: hash(target) === installedHash ? 'remove' : 'keep' });
+  }
+
+  const before = readJson(path.join(home, SETTINGS), {});
+  const shared = readJson(path.join(source, SETTINGS), {});
+
+  // Take out earlier additions the shared config has since dropped, then add
+  // only what is new since the last install, so entries the user removed stay
+  // removed.
+  let base = before;
+  let live = { permissions: {}, hooks: {}, keys: {} };
+  if (manifest) {
+    const split = splitAdditions(manifest.settings, shared);
+    base = unmergeSettings(before, split.stale);
+    live = split.live;
+  }
+  const delta = manifest && manifest.shared ? newSharedEntries(shared, manifest.shared) : shared;
+  const { settings, added } = mergeSettings(base, delta);
+
+  return { files, settings, before, added: combineAdditions(live, added), shared };
+}
+
+/**
+ * Copies the files in `paths` (relative to home) into a new backup, so
+ * `rollback` can restore them; paths that do not exist yet are recorded as
+ * created and will be deleted on rollback.
+ */
+function backup(home, paths, command) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  let id = stamp;
+  for (let n = 1; fs.existsSync(path.join(home, STATE_DIR, 'backups', id)); n++) id = `${stamp}-${n}`;
+  const dir = path.join(home, STATE_DIR, 'backups', id);
+  const record = { command, created: [], replaced: [] };
+
+  for (const file of paths) {
+    const target = path.join(home, file);
+    if (fs.existsSync(target)) {
+      writeFile(path.join(dir, 'files', file), fs.readFileSync(target));
+      record.replaced.push(file);
+    } else {
+      record.created.push(file);
+    }
+  }
+
+  writeFile(path.join(dir, 'backup.json'), toJson(record));
+  return id;
+}
+
+function printPlan(plan, log) {
+  for (const { file, action } of plan.files) {
+    if (action !== 'unchanged') {
+      log(`${action.padEnd(9)} ${file}${action === 'keep' ? ' (local changes)' : ''}`);
+    }
+  }
+
+  const permissions = permissionDiff(plan.before, plan.settings);
+  if (!same(plan.before, plan.settings)) log(`merge     ${SETTINGS}`);
+  if (permissions.length) {
+    log('\nPermission changes:');
+    permissions.forEach((line) => log(`  ${line}`));
+  }
+}
+
+function install(home, { source = SOURCE_DIR, force = false, dryRun = false, log = console.log } = {}) {
+  const problems = Object.entries(validateConfig(source)).filter(([, errors]) => errors.length);
+  if (problems.length) {
+    throw new Error(`shared config is invalid: ${problems.map(([file]) => file).join(', ')}`);
+  }
+
+  const plan = planInstall(home, { source, force });
+  printPlan(plan, log);
+  if (dryRun) return plan;
+
+  const writes = plan.files.filter(({ action }) => action === 'create' || action === 'update');
+  const removals = plan.files.filter(({ action }) => action === 'remove');
+  const id = backup(
+    home,
+    [...writes, ...removals].map(({ file }) => file).concat(SETTINGS, MANIFEST),
+    'install'
+  );
+
+  for (const { file } of writes) {
+    writeFile(path.join(home, file), fs.readFileSync(path.join(source, file)));
+  }
+  for (const { file } of removals) removeFile(home, file);
+  writeFile(path.join(home, SETTINGS), toJson(plan.settings));
+
+  // Kept files are left out so they stay "local" on the next install.
+  const files = {};
+  for (const { file, action } of plan.files) {
+    if (action !== 'keep' && action !== 'remove') files[file] = hash(path.join(home, file));
+  }
+  writeFile(
+    path.join(home, MANIFEST),
+    toJson({
+      installedAt: new Date().toISOString(),
+      files,
+      settings: plan.added,
+      shared: plan.shared,
+    })
+  );
+
+  log(`\nInstalled into ${home} (rollback id ${id})`);
+  return plan;
+}
+
+function uninstall(home, { dryRun = false, log = console.log } = {}) {
+  const manifest = readJson(path.join(home, MANIFEST), null);
+  if (!manifest) throw new Error(`nothing installed in ${home}`);
+
+  const removals = [];
+  for (const [file, installed] of Object.entries(manifest.files)) {
+    const target = path.join(home, file);
+    if (!fs.existsSync(target)) continue;
+    if (hash(target) === installed) {
+      removals.push(file);
+      log(`remove    ${file}`);
+    } else {
+      log(`keep      ${file} (local changes)`);
+    }
+  }
+
+  const before = readJson(path.join(home, SETTINGS), {});
+  const settings = unmergeSettings(before, manifest.settings);
+  const permissions = permissionDiff(before, settings);
+  if (!same(before, settings)) log(`unmerge   ${SETTINGS}`);
+  if (permissions.length) {
+    log('\nPermission changes:');
+    permissions.forEach((line) => log(`  ${line}`));
+  }
+  if (dryRun) return;
+
+  const id = backup(home, [...removals, SETTINGS, MANIFEST], 'uninstall');
+  for (const file of removals) removeFile(home, file);
+  writeFile(path.join(home, SETTINGS), toJson(settings));
+  fs.unlinkSync(path.join(home, MANIFEST));
+
+  log(`\nUninstalled from ${home} (rollback id ${id})`);
+}
+
+/**
+ * Restores the most recent backup and deletes it.
+ *
+ * @param {string} home
+ * @returns {string}  the id of the backup that was restored
+ */
+function rollback(home, { log = console.log } = {}) {
+  const backups = path.join(home, STATE_DIR, 'backups');
+  const ids = fs.existsSync(backups) ? fs.readdirSync(backups).sort() : [];
+  if (!ids.length) throw new Error(`no backups in ${backups}`);
+
+  const id = ids[ids.length - 1];
+  const dir = path.join(backups, id);
+  const record = readJson(path.join(dir, 'backup.json'));
+
+  for (const file of record.created) {
+    removeFile(home, file);
+    log(`delete    ${file}`);
+  }
+  for (const file of record.replaced) {
+    writeFile(path.join(home, file), fs.readFileSync(path.join(dir, 'files', file)));
+    log(`restore   ${file}`);
+  }
+
+  removeFile(home, path.relative(home, dir));
+  log(`\nRolled back ${record.command} ${id}`);
+  return id;
+}
+
+function validate(dir, { log = console.log } = {}) {
+  let valid = true;
+  for (const [file, errors] of Object.entries(validateConfig(dir))) {
+    log(`${errors.length ? 'FAIL' : 'ok  '} ${file}`);
+    errors.forEach((error) => log(`       ${error}`));
+    valid = valid && !errors.length;
+  }
+  return valid;
+}
+
+const USAGE =
+  'Usage: claude-config [--home <dir>] ' +
+  '<install|diff|validate [dir]|uninstall|rollback> [--dry-run] [--force]\n';
+
+function usageError(message) {
+  return Object.assign(new Error(message), { usage: true });
+}
+
+function parseArgs(argv) {
+  const options = { args: [], home: defaultHome(), dryRun: false, force: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--home') {
+      const dir = argv[++i];
+      if (!dir || dir.startsWith('--')) throw usageError('--home needs a directory');
+      options.home = path.resolve(dir);
+    } else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--force') options.force = true;
+    else options.args.push(arg);
+  }
+
+  return options;
+}
+
+function main(argv) {
+  try {
+    const { args, home, ...options } = parseArgs(argv);
+    const [command, target] = args;
+
+    switch (command) {
+      case 'install':
+        install(home, options);
+        return 0;
+      case 'diff':
+        install(home, { ...options, dryRun: true });
+        return 0;
+      case 'validate':
+        return validate(target ? path.resolve(target) : home) ? 0 : 1;
+      case 'uninstall':
+        uninstall(home, options);
+        return 0;
+      case 'rollback':
+        rollback(home);
+        return 0;
+      default:
+        process.stderr.write(USAGE);
+        return 1;
+    }
+  } catch (error) {
+    process.stderr.write(`claude-config: ${error.message}\n`);
+    if (error.usage) process.stderr.write(USAGE);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  listSharedFiles,
+  planInstall,
+  install,
+  uninstall,
+  rollback,
+  validate,
+  main,
+};
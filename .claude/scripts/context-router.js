@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Context router: picks the agent role and the CLAUDE.md sections to load for
+ * a task, so a session starts with only the context it needs.
+ *
+ * Usage:
+ *   context-router.js [--json] [--files <path>...] <task description>
+ *   context-router.js --hook < prompt.json
+ *
+ * `--hook` reads a UserPromptSubmit payload (`{ "prompt": "..." }`) from stdin
+ * and prints the routed context, which Claude Code adds to the conversation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchesAny } = require('./lib/glob');
+const { currentPhase, repoRoot } = require('./workflow-phase');
+
+const CLAUDE_DIR = path.resolve(__dirname, '..');
+const ROUTES_FILE = path.join(__dirname, 'context-routes.json');
+
+function loadRoutes(file = ROUTES_FILE) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Splits a markdown document into its `##` sections, in document order.
+ * Anything before the first `##` heading is ignored.
+ *
+ * @param {string} markdown
+ * @returns {{ title: string, body: string }[]}
+ */
+function parseSections(markdown) {
+  const sections = [];
+  let current = null;
+
+  for (const line of markdown.split(/\r?\n/)) {
+    const heading = /^##\s+(.+?)\s*$/.exec(line);
+    if (heading) {
+      current = { title: heading[1], lines: [] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  return sections.map(({ title, lines }) => ({ title, body: lines.join('\n').trim() }));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function countKeywords(text, keywords = []) {
+  return keywords.filter((keyword) =>
+    new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i').test(text)
+  ).length;
+}
+
+function countFiles(files, patterns = []) {
+  if (!patterns.length) return 0;
+  return files.filter((file) => matchesAny(file, patterns)).length;
+}
+
+function score(rule, task, files) {
+  return countKeywords(task, rule.keywords) + countFiles(files, rule.files);
+}
+
+/**
+ * Scores every agent and section rule against the task and files.
+ *
+ * The agent with the highest score wins; ties go to the one listed first in
+ * the routes file, and no match at all falls back to `defaultAgent`. Sections
+ * are every section that scored, plus the `always` list.
+ *
+ * @param {{ task?: string, files?: string[] }} input
+ * @param {object} [routes]
+ * @returns {{ agent: string, scores: Object<string, number>, sections: string[] }}
+ */
+function route({ task = '', files = [] }, routes = loadRoutes()) {
+  const scores = {};
+  let agent = routes.defaultAgent;
+  let best = 0;
+
+  for (const [name, rule] of Object.entries(routes.agents)) {
+    scores[name] = score(rule, task, files);
+    if (scores[name] > best) {
+      agent = name;
+      best = scores[name];
+    }
+  }
+
+  const sections = [...(routes.always || [])];
+  for (const [title, rule] of Object.entries(routes.sections)) {
+    if (!sections.includes(title) && score(rule, task, files) > 0) {
+      sections.push(title);
+    }
+  }
+
+  return { agent, scores, sections };
+}
+
+/**
+ * Renders the routed sections of CLAUDE.md, in the order they appear in the
+ * document, preceded by the chosen agent and, when known, the workflow phase.
+ *
+ * @param {{ agent: string, sections: string[], phase?: string|null }} result
+ * @param {string} [claudeDir]
+ * @returns {string}
+ */
+function renderContext(result, claudeDir = CLAUDE_DIR) {
+  const markdown = fs.readFileSync(path.join(claudeDir, 'CLAUDE.md'), 'utf8');
+  const body = parseSections(markdown)
+    .filter(({ title }) => result.sections.includes(title))
+    .map(({ title, body: text }) => `## ${title}\n\n${text}`);
+
+  const header = [`Suggested agent: ${result.agent}`];
+  if (result.phase) header.push(`Workflow phase: ${result.phase}`);
+
+  return [header.join('\n'), ...body].join('\n\n') + '\n';
+}
+
+function parseArgs(argv) {
+  const options = { json: false, hook: false, files: [], task: [] };
+  let inFiles = false;
+
+  for (const arg of argv) {
+    if (arg === '--json') options.json = true;
+    else if (arg === '--hook') options.hook = true;
+    else if (arg === '--files') inFiles = true;
+    else if (arg === '--') inFiles = false;
+    else if (inFiles) options.files.push(arg);
+    else options.task.push(arg);
+  }
+
+  return { ...options, task: options.task.join(' ') };
+}
+
+function main(argv) {
+  const options = parseArgs(argv);
+
+  let cwd = process.cwd();
+  if (options.hook) {
+    let payload;
+    try {
+      payload = JSON.parse(fs.readFileSync(0, 'utf8') || '{}');
+      if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new Error('hook payload must be a JSON object');
+      }
+      if (payload.prompt !== undefined && typeof payload.prompt !== 'string') {
+        throw new Error('hook payload "prompt" must be a string');
+      }
+    } catch (error) {
+      process.stderr.write(`context-router: ${error.message}\n`);
+      return 1;
+    }
+    options.task = payload.prompt || '';
+    cwd = typeof payload.cwd === 'string' ? payload.cwd : cwd;
+  }
+
+  if (!options.task && !options.files.length) {
+    process.stderr.write(
+      'Usage: context-router.js [--json] [--files <path>...] [--] <task description>\n'
+    );
+    return 1;
+  }
+
+  let phase = null;
+  try {
+    phase = currentPhase(repoRoot(cwd));
+  } catch (error) {
+    process.stderr.write(`context-router: ignoring workflow state: ${error.message}\n`);
+  }
+
+  const result = { ...route(options), phase };
+  process.stdout.write(
+    options.json ? `${JSON.stringify(result, null, 2)}\n` : renderContext(result)
+  );
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { loadRoutes, parseSections, route, renderContext, main };
@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Minimal glob matching for route and hook patterns.
+ *
+ * Supports `**` (any number of path segments), `*` (anything but `/`) and
+ * `?` (one character other than `/`). Paths are compared with forward
+ * slashes so patterns behave the same on every platform.
+ */
+
+const cache = new Map();
+
+function toRegExp(pattern) {
+  if (cache.has(pattern)) return cache.get(pattern);
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` may also match zero segments, so `**/*.js` matches `a.js`.
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const regExp = new RegExp(`^${source}$`);
+  cache.set(pattern, regExp);
+  return regExp;
+}
+
+function normalise(filePath) {
+  return String(filePath).replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+/**
+ * @param {string} filePath
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function matches(filePath, pattern) {
+  return toRegExp(pattern).test(normalise(filePath));
+}
+
+/**
+ * @param {string} filePath
+ * @param {string[]} patterns
+ * @returns {boolean}
+ */
+function matchesAny(filePath, patterns) {
+  return patterns.some((pattern) => matches(filePath, pattern));
+}
+
+module.exports = { matches, matchesAny, normalise };
@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * A small JSON Schema subset, enough to describe the config files without a
+ * dependency: `type`, `enum`, `pattern`, `minLength`, `minItems`, `required`,
+ * `properties`, `additionalProperties`, `items`, `anyOf` and local `$ref`s
+ * into `definitions`.
+ */
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function hasType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolve(schema, root) {
+  if (!schema.$ref) return schema;
+  const name = schema.$ref.replace(/^#\/definitions\//, '');
+  if (!root.definitions || !root.definitions[name]) {
+    throw new Error(`unknown schema reference ${schema.$ref}`);
+  }
+  return root.definitions[name];
+}
+
+function check(value, schema, root, at, errors) {
+  schema = resolve(schema, root);
+  const where = at || '(root)';
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some((branch) => check(value, branch, root, at, []).length === 0);
+    if (!matched) errors.push(`${where}: does not match any allowed form`);
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => hasType(value, type))) {
+      errors.push(`${where}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${where}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${where}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${where}: needs at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(item, schema.items, root, `${at}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${where}: missing required "${key}"`);
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      const path = at ? `${at}.${key}` : key;
+      if (properties[key]) {
+        check(item, properties[key], root, path, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${where}: unknown property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(item, schema.additionalProperties, root, path, errors);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * @param {*} value
+ * @param {object} schema
+ * @returns {string[]}  one message per problem, each prefixed with its path
+ */
+function validate(value, schema) {
+  return check(value, schema, schema, '', []);
+}
+
+module.exports = { validate };
@@ -0,0 +1,230 @@
+'use strict';
+
+/**
+ * Merges the shared settings.json into a local one without overriding local
+ * choices, and records exactly what was added so it can be taken out again.
+ *
+ * - `permissions.allow|ask|deny`: shared rules are appended when missing.
+ * - `hooks`: a shared matcher entry is appended unless an identical one exists.
+ * - any other key: the shared value is used only when the key is missing.
+ */
+
+const PERMISSION_LISTS = ['allow', 'ask', 'deny'];
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * @param {object} local
+ * @param {object} shared
+ * @returns {{ settings: object, added: object }}  the merged settings, and
+ *   what the merge contributed (`permissions`, `hooks` and `keys`)
+ */
+function mergeSettings(local, shared) {
+  const settings = clone(local) || {};
+  const added = { permissions: {}, hooks: {}, keys: {} };
+
+  const sharedPermissions = shared.permissions || {};
+  for (const [key, value] of Object.entries(sharedPermissions)) {
+    settings.permissions = settings.permissions || {};
+    const current = settings.permissions[key];
+
+    if (PERMISSION_LISTS.includes(key)) {
+      const missing = value.filter((rule) => !(current || []).includes(rule));
+      if (missing.length) {
+        settings.permissions[key] = [...(current || []), ...missing];
+        added.permissions[key] = missing;
+      }
+    } else if (current === undefined) {
+      settings.permissions[key] = clone(value);
+      added.keys[`permissions.${key}`] = clone(value);
+    }
+  }
+
+  for (const [event, entries] of Object.entries(shared.hooks || {})) {
+    settings.hooks = settings.hooks || {};
+    const current = settings.hooks[event] || [];
+    const missing = entries.filter((entry) => !current.some((existing) => same(existing, entry)));
+    if (missing.length) {
+      settings.hooks[event] = [...current, ...clone(missing)];
+      added.hooks[event] = clone(missing);
+    }
+  }
+
+  for (const [key, value] of Object.entries(shared)) {
+    if (key !== 'permissions' && key !== 'hooks' && settings[key] === undefined) {
+      settings[key] = clone(value);
+      added.keys[key] = clone(value);
+    }
+  }
+
+  return { settings, added };
+}
+
+/**
+ * Removes what an earlier `mergeSettings` added. Entries the user has since
+ * changed are left alone, and containers left empty are dropped.
+ *
+ * @param {object} settings
+ * @param {object} added  the `added` record from `mergeSettings`
+ * @returns {object}
+ */
+function unmergeSettings(settings, added) {
+  const result = clone(settings) || {};
+
+  for (const [key, rules] of Object.entries(added.permissions || {})) {
+    if (!result.permissions || !result.permissions[key]) continue;
+    result.permissions[key] = result.permissions[key].filter((rule) => !rules.includes(rule));
+    if (!result.permissions[key].length) delete result.permissions[key];
+  }
+
+  for (const [event, entries] of Object.entries(added.hooks || {})) {
+    if (!result.hooks || !result.hooks[event]) continue;
+    result.hooks[event] = result.hooks[event].filter(
+      (entry) => !entries.some((ours) => same(entry, ours))
+    );
+    if (!result.hooks[event].length) delete result.hooks[event];
+  }
+
+  for (const [key, value] of Object.entries(added.keys || {})) {
+    const [parent, child] = key.split('.');
+    const owner = child ? result[parent] : result;
+    const name = child || parent;
+    if (owner && same(owner[name], value)) delete owner[name];
+  }
+
+  for (const key of ['permissions', 'hooks']) {
+    if (result[key] && !Object.keys(result[key]).length) delete result[key];
+  }
+
+  return result;
+}
+
+/**
+ * The part of the shared settings that is new since `previous`, the shared
+ * settings of the last install. Merging only this keeps a reinstall from
+ * bringing back shared entries the user has since removed.
+ *
+ * @param {object} shared
+ * @param {object} previous
+ * @returns {object}  a settings object holding only the new entries
+ */
+function newSharedEntries(shared, previous) {
+  const delta = {};
+  const oldPermissions = previous.permissions || {};
+  const oldHooks = previous.hooks || {};
+
+  const addPermission = (key, value) => {
+    delta.permissions = delta.permissions || {};
+    delta.permissions[key] = value;
+  };
+  for (const [key, value] of Object.entries(shared.permissions || {})) {
+    if (PERMISSION_LISTS.includes(key)) {
+      const fresh = value.filter((rule) => !(oldPermissions[key] || []).includes(rule));
+      if (fresh.length) addPermission(key, fresh);
+    } else if (!same(value, oldPermissions[key])) {
+      addPermission(key, value);
+    }
+  }
+
+  for (const [event, entries] of Object.entries(shared.hooks || {})) {
+    const fresh = entries.filter((entry) => !(oldHooks[event] || []).some((old) => same(old, entry)));
+    if (fresh.length) {
+      delta.hooks = delta.hooks || {};
+      delta.hooks[event] = fresh;
+    }
+  }
+
+  for (const [key, value] of Object.entries(shared)) {
+    if (key !== 'permissions' && key !== 'hooks' && !same(value, previous[key])) delta[key] = value;
+  }
+
+  return delta;
+}
+
+/**
+ * Splits an `added` record from `mergeSettings` into the entries the shared
+ * settings still have (`live`) and those they no longer have, or now set to
+ * a different value (`stale`).
+ *
+ * @param {object} added
+ * @param {object} shared
+ * @returns {{ live: object, stale: object }}
+ */
+function splitAdditions(added, shared) {
+  const live = { permissions: {}, hooks: {}, keys: {} };
+  const stale = { permissions: {}, hooks: {}, keys: {} };
+  const put = (record, group, key, item) => {
+    record[group][key] = [...(record[group][key] || []), item];
+  };
+
+  for (const [key, rules] of Object.entries(added.permissions || {})) {
+    const shipped = (shared.permissions && shared.permissions[key]) || [];
+    for (const rule of rules) put(shipped.includes(rule) ? live : stale, 'permissions', key, rule);
+  }
+
+  for (const [event, entries] of Object.entries(added.hooks || {})) {
+    const shipped = (shared.hooks && shared.hooks[event]) || [];
+    for (const entry of entries) {
+      put(shipped.some((other) => same(other, entry)) ? live : stale, 'hooks', event, entry);
+    }
+  }
+
+  for (const [key, value] of Object.entries(added.keys || {})) {
+    const [parent, child] = key.split('.');
+    const shipped = child ? (shared[parent] || {})[child] : shared[parent];
+    (same(shipped, value) ? live : stale).keys[key] = value;
+  }
+
+  return { live, stale };
+}
+
+/**
+ * @param {object} a  an `added` record
+ * @param {object} b  an `added` record
+ * @returns {object}  both records in one
+ */
+function combineAdditions(a, b) {
+  const result = clone(a);
+  for (const group of ['permissions', 'hooks']) {
+    for (const [key, items] of Object.entries(b[group])) {
+      result[group][key] = [...(result[group][key] || []), ...clone(items)];
+    }
+  }
+  Object.assign(result.keys, clone(b.keys));
+  return result;
+}
+
+/**
+ * Lists the permission rules that differ between two settings objects.
+ *
+ * @param {object} before
+ * @param {object} after
+ * @returns {string[]}  lines such as `+ allow Bash(npm test:*)`
+ */
+function permissionDiff(before, after) {
+  const lines = [];
+
+  for (const key of PERMISSION_LISTS) {
+    const old = (before.permissions && before.permissions[key]) || [];
+    const now = (after.permissions && after.permissions[key]) || [];
+    for (const rule of old) if (!now.includes(rule)) lines.push(`- ${key} ${rule}`);
+    for (const rule of now) if (!old.includes(rule)) lines.push(`+ ${key} ${rule}`);
+  }
+
+  return lines;
+}
+
+module.exports = {
+  mergeSettings,
+  unmergeSettings,
+  newSharedEntries,
+  splitAdditions,
+  combineAdditions,
+  permissionDiff,
+};
@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * Checks a Claude config directory — `settings.json`, `hooks/rules.json` and
+ * `agents/*.md` — against the schemas in `.claude/schemas/`, plus the rules a
+ * schema cannot express (valid regexes, unique names, per-action fields).
+ * Settings and agent frontmatter are checked only for the fields the shared
+ * config relies on, so a user's own keys and newer hook types pass.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validate } = require('./schema');
+
+const SCHEMA_DIR = path.resolve(__dirname, '..', '..', 'schemas');
+
+function loadSchema(name) {
+  return JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, `${name}.schema.json`), 'utf8'));
+}
+
+/**
+ * Parses `key: value` frontmatter between leading `---` lines.
+ *
+ * @param {string} markdown
+ * @returns {object|null}  null when the document has no frontmatter
+ */
+function parseFrontmatter(markdown) {
+  const block = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/.exec(markdown);
+  if (!block) return null;
+
+  const fields = {};
+  for (const line of block[1].split(/\r?\n/)) {
+    const field = /^([\w-]+):\s*(.*?)\s*$/.exec(line);
+    if (field) fields[field[1]] = field[2];
+  }
+  return fields;
+}
+
+function readJson(file, errors) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    errors.push(error.code === 'ENOENT' ? 'file not found' : `invalid JSON: ${error.message}`);
+    return undefined;
+  }
+}
+
+function checkSettings(dir) {
+  const errors = [];
+  const settings = readJson(path.join(dir, 'settings.json'), errors);
+  if (settings === undefined) return errors;
+
+  const schemaErrors = validate(settings, loadSchema('settings'));
+  errors.push(...schemaErrors);
+  if (schemaErrors.length || !settings.hooks) return errors;
+
+  // Other hook types have their own fields; only `command` hooks are checked here.
+  for (const [event, entries] of Object.entries(settings.hooks)) {
+    entries.forEach((entry, i) =>
+      entry.hooks.forEach((hook, j) => {
+        if (hook.type === 'command' && !hook.command) {
+          errors.push(`hooks.${event}[${i}].hooks[${j}]: "command" hooks need a command`);
+        }
+      })
+    );
+  }
+  return errors;
+}
+
+function checkRules(dir) {
+  const errors = [];
+  const config = readJson(path.join(dir, 'hooks', 'rules.json'), errors);
+  if (config === undefined) return errors;
+
+  errors.push(...validate(config, loadSchema('rules')));
+  if (!Array.isArray(config.rules)) return errors;
+
+  const seen = new Set();
+  config.rules.forEach((rule, index) => {
+    const at = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object') return;
+
+    if (seen.has(rule.name)) errors.push(`${at}: duplicate rule name "${rule.name}"`);
+    seen.add(rule.name);
+
+    if (rule.action === 'run' && !rule.command) errors.push(`${at}: "run" needs a command`);
+    if (rule.action === 'log' && !rule.file) errors.push(`${at}: "log" needs a file`);
+
+    for (const [field, pattern] of Object.entries(rule.match || {})) {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        errors.push(`${at}.match.${field}: ${error.message}`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+function checkAgents(dir) {
+  const agentsDir = path.join(dir, 'agents');
+  if (!fs.existsSync(agentsDir)) return {};
+
+  const schema = loadSchema('agent');
+  const results = {};
+
+  for (const file of fs.readdirSync(agentsDir).filter((name) => name.endsWith('.md')).sort()) {
+    const frontmatter = parseFrontmatter(fs.readFileSync(path.join(agentsDir, file), 'utf8'));
+    const errors = frontmatter ? validate(frontmatter, schema) : ['missing frontmatter'];
+
+    if (frontmatter && frontmatter.name && `${frontmatter.name}.md` !== file) {
+      errors.push(`name: "${frontmatter.name}" does not match the file name`);
+    }
+    results[`agents/${file}`] = errors;
+  }
+
+  return results;
+}
+
+/**
+ * Validates every config file in a directory.
+ *
+ * @param {string} dir  a `.claude` directory
+ * @returns {Object<string, string[]>}  problems keyed by relative file path;
+ *   a file with no problems maps to an empty list
+ */
+function validateConfig(dir) {
+  return {
+    'settings.json': checkSettings(dir),
+    'hooks/rules.json': fs.existsSync(path.join(dir, 'hooks'))
+      ? checkRules(dir)
+      : [],
+    ...checkAgents(dir),
+  };
+}
+
+module.exports = { validateConfig, parseFrontmatter };
@@ -0,0 +1,318 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { listSharedFiles, install, uninstall, rollback, validate } = require('../claude-config');
+const { mergeSettings, unmergeSettings, permissionDiff } = require('../lib/settings-merge');
+const { validateConfig } = require('../lib/validate-config');
+
+const SOURCE = path.resolve(__dirname, '..', '..');
+const quiet = () => {};
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'claude-config-'));
+}
+
+function copySource() {
+  const dir = tmpDir();
+  for (const file of [...listSharedFiles(SOURCE), 'settings.json']) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.copyFileSync(path.join(SOURCE, file), path.join(dir, file));
+  }
+  return dir;
+}
+
+function read(dir, file) {
+  return fs.readFileSync(path.join(dir, file), 'utf8');
+}
+
+function readJson(dir, file) {
+  return JSON.parse(read(dir, file));
+}
+
+test('the shipped config passes validation', () => {
+  for (const [file, errors] of Object.entries(validateConfig(SOURCE))) {
+    assert.deepStrictEqual(errors, [], file);
+  }
+});
+
+test('shared files leave out tests, the readme and settings', () => {
+  const files = listSharedFiles(SOURCE);
+  assert.ok(files.includes('CLAUDE.md'));
+  assert.ok(files.includes('agents/architect.md'));
+  assert.ok(!files.some((file) => file.includes('/test/')));
+  assert.ok(!files.includes('README.md'));
+  assert.ok(!files.includes('settings.json'));
+});
+
+test('mergeSettings adds shared entries and keeps local ones', () => {
+  const local = { model: 'local', permissions: { allow: ['Read'] } };
+  const shared = {
+    model: 'shared',
+    env: { A: '1' },
+    permissions: { allow: ['Read', 'Bash(ls)'], deny: ['Write'] },
+    hooks: { Stop: [{ hooks: [{ type: 'command', command: 'x' }] }] },
+  };
+
+  const { settings, added } = mergeSettings(local, shared);
+
+  assert.strictEqual(settings.model, 'local');
+  assert.deepStrictEqual(settings.permissions, { allow: ['Read', 'Bash(ls)'], deny: ['Write'] });
+  assert.deepStrictEqual(settings.env, { A: '1' });
+  assert.deepStrictEqual(permissionDiff(local, settings), ['+ allow Bash(ls)', '+ deny Write']);
+  assert.deepStrictEqual(unmergeSettings(settings, added), local);
+});
+
+test('unmergeSettings leaves values the user changed', () => {
+  const { settings, added } = mergeSettings({}, { env: { A: '1' }, permissions: { allow: ['Read'] } });
+  settings.env.A = '2';
+  assert.deepStrictEqual(unmergeSettings(settings, added), { env: { A: '2' } });
+});
+
+test('install copies the config and merges into existing settings', () => {
+  const home = tmpDir();
+  fs.writeFileSync(
+    path.join(home, 'settings.json'),
+    JSON.stringify({ model: 'mine', permissions: { allow: ['Bash(make:*)'] } })
+  );
+
+  const lines = [];
+  install(home, { log: (line) => lines.push(line) });
+
+  assert.strictEqual(read(home, 'CLAUDE.md'), read(SOURCE, 'CLAUDE.md'));
+  assert.ok(fs.existsSync(path.join(home, 'hooks', 'hook-runner.js')));
+  assert.ok(!fs.existsSync(path.join(home, 'scripts', 'test')));
+
+  const settings = readJson(home, 'settings.json');
+  assert.strictEqual(settings.model, 'mine');
+  assert.strictEqual(settings.permissions.allow[0], 'Bash(make:*)');
+  assert.ok(settings.permissions.allow.includes('Bash(npm test:*)'));
+  assert.ok(settings.hooks.PreToolUse);
+  assert.ok(lines.includes('  + allow Bash(npm test:*)'));
+});
+
+test('diff (dry run) changes nothing', () => {
+  const home = tmpDir();
+  install(home, { dryRun: true, log: quiet });
+  assert.deepStrictEqual(fs.readdirSync(home), []);
+});
+
+test('reinstall updates untouched files and keeps local edits', () => {
+  const source = copySource();
+  const home = tmpDir();
+  install(home, { source, log: quiet });
+
+  fs.appendFileSync(path.join(home, 'CLAUDE.md'), '\n## Mine\n\n- local\n');
+  fs.appendFileSync(path.join(source, 'CLAUDE.md'), '\n## Shared\n\n- new\n');
+  fs.appendFileSync(path.join(source, 'agents', 'architect.md'), '\nNew shared line.\n');
+
+  const lines = [];
+  install(home, { source, log: (line) => lines.push(line) });
+
+  assert.match(read(home, 'CLAUDE.md'), /## Mine/);
+  assert.doesNotMatch(read(home, 'CLAUDE.md'), /## Shared/);
+  assert.match(read(home, 'agents/architect.md'), /New shared line/);
+  assert.ok(lines.includes('keep      CLAUDE.md (local changes)'));
+
+  install(home, { source, force: true, log: quiet });
+  assert.match(read(home, 'CLAUDE.md'), /## Shared/);
+});
+
+test('reinstall removes files the shared config dropped, unless edited', () => {
+  const source = copySource();
+  const home = tmpDir();
+  install(home, { source, log: quiet });
+  fs.appendFileSync(path.join(home, 'agents', 'tdd-guide.md'), '\nMine.\n');
+
+  fs.unlinkSync(path.join(source, 'agents', 'code-reviewer.md'));
+  fs.unlinkSync(path.join(source, 'agents', 'tdd-guide.md'));
+
+  const lines = [];
+  install(home, { source, log: (line) => lines.push(line) });
+
+  assert.ok(lines.includes('remove    agents/code-reviewer.md'));
+  assert.ok(lines.includes('keep      agents/tdd-guide.md (local changes)'));
+  assert.ok(!fs.existsSync(path.join(home, 'agents', 'code-reviewer.md')));
+  assert.ok(fs.existsSync(path.join(home, 'agents', 'tdd-guide.md')));
+
+  const { files } = readJson(home, '.shared-config/manifest.json');
+  assert.ok(!('agents/code-reviewer.md' in files));
+  assert.ok(!('agents/tdd-guide.md' in files));
+
+  rollback(home, { log: quiet });
+  assert.ok(fs.existsSync(path.join(home, 'agents', 'code-reviewer.md')));
+});
+
+test('reinstall drops permissions the shared config no longer has', () => {
+  const source = copySource();
+  const home = tmpDir();
+  install(home, { source, log: quiet });
+
+  const shared = readJson(source, 'settings.json');
+  shared.permissions.allow = shared.permissions.allow.filter((rule) => rule !== 'Bash(git log:*)');
+  fs.writeFileSync(path.join(source, 'settings.json'), JSON.stringify(shared));
+
+  const lines = [];
+  install(home, { source, log: (line) => lines.push(line) });
+  assert.ok(!readJson(home, 'settings.json').permissions.allow.includes('Bash(git log:*)'));
+  assert.ok(lines.includes('  - allow Bash(git log:*)'));
+});
+
+test('reinstall keeps shared settings the user removed out, and adds new ones', () => {
+  const source = copySource();
+  const home = tmpDir();
+  install(home, { source, log: quiet });
+
+  const local = readJson(home, 'settings.json');
+  local.permissions.allow = local.permissions.allow.filter((rule) => rule !== 'Bash(npm test:*)');
+  local.hooks.UserPromptSubmit = [];
+  fs.writeFileSync(path.join(home, 'settings.json'), JSON.stringify(local));
+
+  const shared = readJson(source, 'settings.json');
+  shared.permissions.allow.push('Bash(npm run build:*)');
+  fs.writeFileSync(path.join(source, 'settings.json'), JSON.stringify(shared));
+
+  const lines = [];
+  install(home, { source, log: (line) => lines.push(line) });
+
+  const settings = readJson(home, 'settings.json');
+  assert.ok(!settings.permissions.allow.includes('Bash(npm test:*)'));
+  assert.ok(settings.permissions.allow.includes('Bash(npm run build:*)'));
+  assert.deepStrictEqual(settings.hooks.UserPromptSubmit, []);
+  assert.ok(!lines.includes('  + allow Bash(npm test:*)'));
+  assert.ok(lines.includes('  + allow Bash(npm run build:*)'));
+
+  uninstall(home, { log: quiet });
+  assert.ok(!(readJson(home, 'settings.json').permissions || {}).allow);
+});
+
+test('uninstall removes what install added and keeps local edits', () => {
+  const home = tmpDir();
+  fs.writeFileSync(path.join(home, 'settings.json'), JSON.stringify({ model: 'mine' }));
+  install(home, { log: quiet });
+  fs.appendFileSync(path.join(home, 'agents', 'tdd-guide.md'), '\nMine.\n');
+
+  uninstall(home, { log: quiet });
+
+  assert.deepStrictEqual(readJson(home, 'settings.json'), { model: 'mine' });
+  assert.ok(fs.existsSync(path.join(home, 'agents', 'tdd-guide.md')));
+  assert.ok(!fs.existsSync(path.join(home, 'agents', 'architect.md')));
+  assert.ok(!fs.existsSync(path.join(home, 'scripts')));
+  assert.throws(() => uninstall(home, { log: quiet }), { message: /nothing installed/ });
+});
+
+test('rollback undoes the last install, then the one before', () => {
+  const source = copySource();
+  const home = tmpDir();
+  const original = JSON.stringify({ model: 'mine' });
+  fs.writeFileSync(path.join(home, 'settings.json'), original);
+
+  install(home, { source, log: quiet });
+  const firstInstall = read(home, 'agents/architect.md');
+  fs.appendFileSync(path.join(source, 'agents', 'architect.md'), '\nSecond.\n');
+  install(home, { source, log: quiet });
+
+  rollback(home, { log: quiet });
+  assert.strictEqual(read(home, 'agents/architect.md'), firstInstall);
+
+  rollback(home, { log: quiet });
+  assert.strictEqual(read(home, 'settings.json'), original);
+  assert.ok(!fs.existsSync(path.join(home, 'agents')));
+  assert.ok(!fs.existsSync(path.join(home, '.shared-config', 'manifest.json')));
+  assert.throws(() => rollback(home, { log: quiet }), { message: /no backups/ });
+});
+
+test('rollback restores what uninstall removed', () => {
+  const home = tmpDir();
+  install(home, { log: quiet });
+  uninstall(home, { log: quiet });
+  rollback(home, { log: quiet });
+
+  assert.strictEqual(read(home, 'CLAUDE.md'), read(SOURCE, 'CLAUDE.md'));
+  assert.ok(fs.existsSync(path.join(home, '.shared-config', 'manifest.json')));
+});
+
+test('validate accepts settings keys and hook types the shared config does not use', () => {
+  const dir = copySource();
+  fs.writeFileSync(
+    path.join(dir, 'settings.json'),
+    JSON.stringify({
+      includeCoAuthoredBy: false,
+      permissions: { allow: ['Read'], disableBypassPermissionsMode: 'disable', defaultMode: 'plan' },
+      hooks: {
+        Stop: [{ hooks: [{ type: 'prompt', prompt: 'Check the work is done' }] }],
+        PreToolUse: [{ matcher: 'Bash', hooks: [{ type: 'command', command: 'x', extra: true }] }],
+      },
+    })
+  );
+  assert.deepStrictEqual(validateConfig(dir)['settings.json'], []);
+
+  fs.writeFileSync(
+    path.join(dir, 'settings.json'),
+    JSON.stringify({ hooks: { Stop: [{ hooks: [{ type: 'command' }] }] } })
+  );
+  assert.deepStrictEqual(validateConfig(dir)['settings.json'], [
+    'hooks.Stop[0].hooks[0]: "command" hooks need a command',
+  ]);
+});
+
+test('validate accepts agent frontmatter fields the shared agents do not use', () => {
+  const dir = copySource();
+  fs.writeFileSync(
+    path.join(dir, 'agents', 'my-helper.md'),
+    '---\nname: my-helper\ndescription: Helps.\ncolor: blue\n---\n\nHelp.\n'
+  );
+  assert.deepStrictEqual(validateConfig(dir)['agents/my-helper.md'], []);
+});
+
+test('validate reports schema problems per file', () => {
+  const dir = copySource();
+  fs.writeFileSync(
+    path.join(dir, 'settings.json'),
+    JSON.stringify({ permissions: { allow: ['not a rule'] }, hooks: { Stop: [{ hooks: [] }] } })
+  );
+  fs.writeFileSync(
+    path.join(dir, 'hooks', 'rules.json'),
+    JSON.stringify({
+      rules: [
+        { name: 'a', action: 'run' },
+        { name: 'a', action: 'deny', match: { command: '(' }, phases: ['ship'] },
+      ],
+    })
+  );
+  fs.writeFileSync(path.join(dir, 'agents', 'architect.md'), '---\nname: builder\n---\n');
+
+  const results = validateConfig(dir);
+  assert.deepStrictEqual(results['settings.json'], [
+    'permissions.allow[0]: "not a rule" does not match ^[A-Za-z][\\w-]*(__[\\w-]+)*(\\(.+\\))?$',
+    'hooks.Stop[0].hooks: needs at least 1 item(s)',
+  ]);
+  assert.deepStrictEqual(
+    results['hooks/rules.json'].map((error) => error.split(':')[0]),
+    ['rules[1].phases[0]', 'rules[0]', 'rules[1]', 'rules[1].match.command']
+  );
+  assert.deepStrictEqual(results['agents/architect.md'], [
+    '(root): missing required "description"',
+    'name: "builder" does not match the file name',
+  ]);
+  assert.strictEqual(validate(dir, { log: quiet }), false);
+});
+
+test('cli: a missing --home value prints the usage, not a stack trace', () => {
+  const cli = path.join(__dirname, '..', 'claude-config.js');
+  for (const args of [['install', '--home'], ['--home', '--dry-run', 'diff']]) {
+    assert.throws(
+      () => execFileSync(process.execPath, [cli, ...args], { stdio: 'pipe' }),
+      (error) =>
+        error.status === 1 &&
+        /^claude-config: --home needs a directory\nUsage: claude-config/.test(error.stderr) &&
+        !/\n\s+at /.test(error.stderr),
+      args.join(' ')
+    );
+  }
+});
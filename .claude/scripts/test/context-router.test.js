@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { parseSections, route, renderContext } = require('../context-router');
+const { matches } = require('../lib/glob');
+const prompts = require('./fixtures/prompts.json');
+
+const ROUTER = path.join(__dirname, '..', 'context-router.js');
+
+for (const fixture of prompts) {
+  test(`route: ${fixture.name}`, () => {
+    const result = route({ task: fixture.task, files: fixture.files });
+    assert.strictEqual(result.agent, fixture.agent);
+    assert.deepStrictEqual(result.sections, fixture.sections);
+  });
+}
+
+test('parseSections splits on level-two headings only', () => {
+  const sections = parseSections('# Title\nintro\n\n## One\na\n### Sub\nb\n\n## Two\nc\n');
+  assert.deepStrictEqual(sections, [
+    { title: 'One', body: 'a\n### Sub\nb' },
+    { title: 'Two', body: 'c' },
+  ]);
+});
+
+test('renderContext includes only the routed sections of CLAUDE.md', () => {
+  const text = renderContext({ agent: 'tdd-guide', sections: ['Core Principles', 'Testing'] });
+  assert.match(text, /^Suggested agent: tdd-guide/);
+  assert.match(text, /## Core Principles/);
+  assert.match(text, /## Testing/);
+  assert.doesNotMatch(text, /## Architecture/);
+});
+
+test('renderContext names the workflow phase when there is one', () => {
+  const text = renderContext({ agent: 'architect', sections: [], phase: 'test' });
+  assert.match(text, /^Suggested agent: architect\nWorkflow phase: test\n/);
+});
+
+test('every routed section exists in CLAUDE.md', () => {
+  const routes = require('../context-routes.json');
+  const text = renderContext({
+    agent: routes.defaultAgent,
+    sections: [...routes.always, ...Object.keys(routes.sections)],
+  });
+  for (const title of [...routes.always, ...Object.keys(routes.sections)]) {
+    assert.match(text, new RegExp(`## ${title}\\n`));
+  }
+});
+
+test('glob: ** matches zero or more segments', () => {
+  assert.ok(matches('a.test.js', '**/*.test.js'));
+  assert.ok(matches('src/deep/a.test.js', '**/*.test.js'));
+  assert.ok(matches('./test/x.js', '**/test/**'));
+  assert.ok(!matches('src/a.js', '**/*.test.js'));
+  assert.ok(!matches('src/a.js', '*.js'));
+});
+
+test('cli: --json prints the routing decision', () => {
+  const output = execFileSync(process.execPath, [ROUTER, '--json', 'review', 'the', 'diff']);
+  assert.strictEqual(JSON.parse(output).agent, 'code-reviewer');
+});
+
+test('cli: --hook reads the prompt from stdin', () => {
+  const output = execFileSync(process.execPath, [ROUTER, '--hook'], {
+    input: JSON.stringify({ prompt: 'write a failing test for the parser' }),
+  }).toString();
+  assert.match(output, /^Suggested agent: tdd-guide/);
+  assert.match(output, /## Testing/);
+});
+
+test('cli: --hook rejects a malformed payload without a stack trace', () => {
+  for (const input of ['{', 'null', '[]', '"text"', '{"prompt": 42}']) {
+    assert.throws(
+      () => execFileSync(process.execPath, [ROUTER, '--hook'], { input, stdio: 'pipe' }),
+      (error) =>
+        error.status === 1 && /^context-router: /.test(error.stderr) && !/\n\s+at /.test(error.stderr),
+      input
+    );
+  }
+});
@@ -0,0 +1,214 @@
+'use strict';
+
+const test = require('node:test');
+const { before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const { currentPhase, start, transition, nextPhase, reset, readState } = require('../workflow-phase');
+const { evaluate } = require('../../hooks/hook-runner');
+
+const CLI = path.join(__dirname, '..', 'workflow-phase.js');
+const ROUTER = path.join(__dirname, '..', 'context-router.js');
+const REPO = '/work/repo';
+
+function stateFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-phase-')), 'state.json');
+}
+
+const failing = () => false;
+const passing = () => true;
+
+// Claude Code sets this for everything it runs; hook rules would read the phase of that dir.
+const projectDir = process.env.CLAUDE_PROJECT_DIR;
+before(() => {
+  delete process.env.CLAUDE_PROJECT_DIR;
+});
+after(() => {
+  if (projectDir !== undefined) process.env.CLAUDE_PROJECT_DIR = projectDir;
+});
+
+test('an untracked repo has no phase', () => {
+  assert.strictEqual(currentPhase(REPO, { stateFile: stateFile() }), null);
+});
+
+test('start puts the repo in plan', () => {
+  const file = stateFile();
+  start(REPO, { stateFile: file });
+  assert.strictEqual(currentPhase(REPO, { stateFile: file }), 'plan');
+});
+
+test('walks the full cycle with the guards satisfied', () => {
+  const file = stateFile();
+  start(REPO, { stateFile: file });
+  transition(REPO, 'test', { stateFile: file });
+  transition(REPO, 'implement', { stateFile: file, testsPass: failing });
+  transition(REPO, 'review', { stateFile: file, testsPass: passing });
+  transition(REPO, 'plan', { stateFile: file });
+
+  assert.deepStrictEqual(
+    readState(file)[REPO].history.map(({ phase }) => phase),
+    ['plan', 'test', 'implement', 'review', 'plan']
+  );
+});
+
+test('refuses transitions outside the table', () => {
+  const file = stateFile();
+  start(REPO, { stateFile: file });
+  assert.throws(() => transition(REPO, 'implement', { stateFile: file, testsPass: failing }), {
+    message: /cannot move from plan to implement/,
+  });
+  assert.throws(() => transition(REPO, 'deploy', { stateFile: file }), { message: /unknown phase/ });
+  assert.strictEqual(currentPhase(REPO, { stateFile: file }), 'plan');
+});
+
+test('refuses implement until a test fails, unless forced', () => {
+  const file = stateFile();
+  start(REPO, { stateFile: file });
+  transition(REPO, 'test', { stateFile: file });
+
+  assert.throws(() => transition(REPO, 'implement', { stateFile: file, testsPass: passing }), {
+    message: /no failing tests/,
+  });
+  transition(REPO, 'implement', { stateFile: file, testsPass: passing, force: true });
+
+  const { history } = readState(file)[REPO];
+  assert.strictEqual(history[history.length - 1].forced, true);
+});
+
+test('refuses review while tests fail', () => {
+  const file = stateFile();
+  start(REPO, { stateFile: file });
+  transition(REPO, 'test', { stateFile: file });
+  transition(REPO, 'implement', { stateFile: file, testsPass: failing });
+
+  assert.throws(() => transition(REPO, 'review', { stateFile: file, testsPass: failing }), {
+    message: /tests are failing/,
+  });
+});
+
+test('the guard runs the repo test command', () => {
+  const file = stateFile();
+  const repo = path.dirname(file);
+  start(repo, { stateFile: file, testCommand: `"${process.execPath}" -e "process.exit(1)"` });
+  transition(repo, 'test', { stateFile: file });
+  assert.strictEqual(transition(repo, 'implement', { stateFile: file }).phase, 'implement');
+});
+
+test('a test command that cannot run does not count as a failing test', () => {
+  const file = stateFile();
+  const repo = path.dirname(file);
+
+  for (const [testCommand, message] of [
+    ['no-such-command-for-workflow-phase', /did not run \(exit code 127\)/],
+    [`"${process.execPath}" -e "process.kill(process.pid, 'SIGKILL')"`, /was killed by (SIGKILL|signal 9)/],
+    [`"${process.execPath}" -e "process.exit(254)"`, /did not run \(exit code 254\)/],
+  ]) {
+    start(repo, { stateFile: file, testCommand });
+    transition(repo, 'test', { stateFile: file });
+    assert.throws(() => transition(repo, 'implement', { stateFile: file }), { message });
+    assert.strictEqual(currentPhase(repo, { stateFile: file }), 'test');
+  }
+});
+
+test('a repo without a real test script does not count as a failing test', () => {
+  for (const scripts of [{}, { test: 'echo "Error: no test specified" && exit 1' }]) {
+    const file = stateFile();
+    const repo = path.dirname(file);
+    fs.writeFileSync(path.join(repo, 'package.json'), JSON.stringify({ name: 'no-tests', scripts }));
+
+    start(repo, { stateFile: file });
+    transition(repo, 'test', { stateFile: file });
+    assert.throws(() => transition(repo, 'implement', { stateFile: file }), {
+      message: /found no tests to run/,
+    });
+    assert.strictEqual(currentPhase(repo, { stateFile: file }), 'test');
+  }
+});
+
+test('nextPhase wraps review back to plan', () => {
+  assert.strictEqual(nextPhase('plan'), 'test');
+  assert.strictEqual(nextPhase('review'), 'plan');
+});
+
+test('reset forgets only the given repo', () => {
+  const file = stateFile();
+  start(REPO, { stateFile: file });
+  start('/work/other', { stateFile: file });
+  reset(REPO, { stateFile: file });
+  assert.deepStrictEqual(Object.keys(readState(file)), ['/work/other']);
+});
+
+test('hook rules can be limited to phases', () => {
+  const file = stateFile();
+  const repo = path.dirname(file);
+  const rules = [{ name: 'plan-only', event: 'PreToolUse', phases: ['plan'], action: 'ask' }];
+  const payload = { hook_event_name: 'PreToolUse', tool_name: 'Write', tool_input: {}, cwd: repo };
+  const previous = process.env.CLAUDE_WORKFLOW_STATE;
+  process.env.CLAUDE_WORKFLOW_STATE = file;
+
+  try {
+    assert.strictEqual(evaluate(payload, rules).decision, 'allow');
+    start(repo, { stateFile: file });
+    assert.strictEqual(evaluate(payload, rules).decision, 'ask');
+  } finally {
+    if (previous === undefined) delete process.env.CLAUDE_WORKFLOW_STATE;
+    else process.env.CLAUDE_WORKFLOW_STATE = previous;
+  }
+});
+
+test('a corrupt state file does not break the router or hook rules', () => {
+  const file = stateFile();
+  const repo = path.dirname(file);
+  fs.writeFileSync(file, '{');
+  const env = { ...process.env, CLAUDE_WORKFLOW_STATE: file };
+
+  const routed = execFileSync(process.execPath, [ROUTER, '--hook'], {
+    input: JSON.stringify({ prompt: 'write a failing test', cwd: repo }),
+    env,
+    stdio: 'pipe',
+  }).toString();
+  assert.match(routed, /^Suggested agent: tdd-guide\n\n/);
+
+  const runner = path.join(__dirname, '..', '..', 'hooks', 'hook-runner.js');
+  const rulesFile = path.join(repo, 'rules.json');
+  fs.writeFileSync(
+    rulesFile,
+    JSON.stringify({ rules: [{ name: 'plan-only', event: 'PreToolUse', phases: ['plan'], action: 'ask' }] })
+  );
+  const decided = execFileSync(process.execPath, [runner, '--rules', rulesFile], {
+    input: JSON.stringify({ hook_event_name: 'PreToolUse', tool_name: 'Write', tool_input: {}, cwd: repo }),
+    env,
+    stdio: 'pipe',
+  }).toString();
+  assert.strictEqual(decided, '');
+});
+
+test('cli: start, next and current', () => {
+  const file = stateFile();
+  const repo = path.dirname(file);
+  const run = (...args) =>
+    execFileSync(process.execPath, [CLI, '--repo', repo, '--state', file, ...args]).toString();
+
+  assert.strictEqual(run('current'), '\n');
+  assert.strictEqual(run('start'), 'plan\n');
+  assert.strictEqual(run('next'), 'test\n');
+  assert.deepStrictEqual(JSON.parse(run('current', '--json')), { repo, phase: 'test' });
+});
+
+test('cli: a refused transition exits non-zero with the reason', () => {
+  const file = stateFile();
+  const repo = path.dirname(file);
+  execFileSync(process.execPath, [CLI, '--repo', repo, '--state', file, 'start']);
+
+  assert.throws(
+    () =>
+      execFileSync(process.execPath, [CLI, '--repo', repo, '--state', file, 'to', 'review'], {
+        stdio: 'pipe',
+      }),
+    (error) => error.status === 1 && /cannot move from plan to review/.test(error.stderr)
+  );
+});
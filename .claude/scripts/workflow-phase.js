@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Workflow phases: tracks where each repository is in the
+ * plan → test → implement → review cycle and refuses out-of-order moves.
+ *
+ * Usage:
+ *   workflow-phase.js [--repo <dir>] [--state <file>] <command>
+ *
+ * Commands:
+ *   current [--json]                 print the current phase (empty if untracked)
+ *   start [--test-command <cmd>]     begin tracking the repo in the plan phase
+ *   next [--force]                   move to the next phase in the cycle
+ *   to <phase> [--force]             move to a specific allowed phase
+ *   history                          print every transition as JSON
+ *   reset                            stop tracking the repo
+ *
+ * Entering `implement` requires the repo's test command to fail (there must
+ * be a failing test to implement against); entering `review` requires it to
+ * pass. `--force` skips those checks but not the transition table.
+ *
+ * State for every repo lives in one JSON file, keyed by the repo's root:
+ * `~/.claude/state/workflow-phases.json` unless `--state` or
+ * `CLAUDE_WORKFLOW_STATE` says otherwise.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const PHASES = ['plan', 'test', 'implement', 'review'];
+
+const TRANSITIONS = {
+  plan: ['test'],
+  test: ['implement', 'plan'],
+  implement: ['review', 'test'],
+  review: ['plan', 'implement'],
+};
+
+// Checks a phase demands before it can be entered: the test command's expected outcome.
+const GUARDS = {
+  implement: { testsPass: false, message: 'no failing tests: write a failing test first' },
+  review: { testsPass: true, message: 'tests are failing: make them pass before review' },
+};
+
+const DEFAULT_TEST_COMMAND = 'npm test';
+const TEST_TIMEOUT = 10 * 60 * 1000;
+
+// Exit codes that mean the test command never ran: the shell could not execute
+// or find it (126, 127), or npm found no package.json (254). Above 128 the
+// shell is reporting a child killed by signal (code - 128).
+const NOT_RUN_CODES = [126, 127, 254];
+const SIGNAL_BASE = 128;
+
+// Output from npm, yarn and pnpm when there is no test script, or only npm's
+// placeholder one: the command "fails" without any test having run.
+const NO_TESTS_OUTPUT = [/Missing script:?\s*"?test"?/i, /Error: no test specified/, /Command "test" not found/];
+const OUTPUT_LIMIT = 64 * 1024 * 1024;
+
+function defaultStateFile() {
+  return (
+    process.env.CLAUDE_WORKFLOW_STATE ||
+    path.join(os.homedir(), '.claude', 'state', 'workflow-phases.json')
+  );
+}
+
+/**
+ * Resolves a directory to its git root so every subdirectory shares a phase.
+ * Falls back to the directory itself outside a git repository.
+ *
+ * @param {string} [dir]
+ * @returns {string}
+ */
+function repoRoot(dir = process.cwd()) {
+  const result = spawnSync('git', ['rev-parse', '--show-toplevel'], {
+    cwd: dir,
+    encoding: 'utf8',
+  });
+  return result.status === 0 ? result.stdout.trim() : path.resolve(dir);
+}
+
+function readState(file = defaultStateFile()) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+function writeState(state, file = defaultStateFile()) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // Write then rename so a hook reading concurrently never sees half a file.
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, `${JSON.stringify(state, null, 2)}\n`);
+  fs.renameSync(temp, file);
+}
+
+/**
+ * @param {string} repo  repository root
+ * @param {{ stateFile?: string }} [options]
+ * @returns {string|null}  the current phase, or null if the repo is untracked
+ */
+function currentPhase(repo, { stateFile } = {}) {
+  const entry = readState(stateFile)[repo];
+  return entry ? entry.phase : null;
+}
+
+/**
+ * Runs the repo's test command and reports whether it passed.
+ *
+ * @param {string} repo
+ * @param {string} command
+ * @returns {boolean}
+ * @throws {Error} when the command could not run, timed out, was killed or
+ *   found no tests to run, since none of those say anything about the tests
+ */
+function runTests(repo, command) {
+  const result = spawnSync(command, {
+    cwd: repo,
+    shell: true,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    encoding: 'utf8',
+    maxBuffer: OUTPUT_LIMIT,
+    timeout: TEST_TIMEOUT,
+  });
+
+  if (result.error) throw new Error(`could not run "${command}": ${result.error.message}`);
+  if (result.status === null) throw new Error(`"${command}" was killed by ${result.signal}`);
+  if (NOT_RUN_CODES.includes(result.status)) {
+    throw new Error(`"${command}" did not run (exit code ${result.status})`);
+  }
+  if (result.status > SIGNAL_BASE) {
+    throw new Error(`"${command}" was killed by signal ${result.status - SIGNAL_BASE}`);
+  }
+  const output = `${result.stdout}\n${result.stderr}`;
+  if (result.status !== 0 && NO_TESTS_OUTPUT.some((pattern) => pattern.test(output))) {
+    throw new Error(`"${command}" found no tests to run`);
+  }
+  return result.status === 0;
+}
+
+/**
+ * Starts tracking a repo in the plan phase, replacing any earlier state.
+ *
+ * @param {string} repo
+ * @param {{ stateFile?: string, testCommand?: string }} [options]
+ * @returns {object}  the repo's new state entry
+ */
+function start(repo, { stateFile, testCommand = DEFAULT_TEST_COMMAND } = {}) {
+  const state = readState(stateFile);
+  const at = new Date().toISOString();
+  state[repo] = { phase: 'plan', testCommand, history: [{ phase: 'plan', at }] };
+  writeState(state, stateFile);
+  return state[repo];
+}
+
+/**
+ * Moves a repo to another phase, enforcing the transition table and the
+ * phase's guard.
+ *
+ * @param {string} repo
+ * @param {string} to
+ * @param {{ stateFile?: string, force?: boolean, testsPass?: function(string, string): boolean }} [options]
+ *   `testsPass` replaces running the repo's test command; it throws when the
+ *   tests could not be run at all.
+ * @returns {object}  the repo's updated state entry
+ * @throws {Error} when the repo is untracked, the move is not allowed or the guard fails
+ */
+function transition(repo, to, { stateFile, force = false, testsPass = runTests } = {}) {
+  if (!PHASES.includes(to)) {
+    throw new Error(`unknown phase "${to}" (expected one of ${PHASES.join(', ')})`);
+  }
+
+  const state = readState(stateFile);
+  const entry = state[repo];
+  if (!entry) throw new Error(`${repo} is not tracked: run "start" first`);
+
+  if (!TRANSITIONS[entry.phase].includes(to)) {
+    throw new Error(
+      `cannot move from ${entry.phase} to ${to} (allowed: ${TRANSITIONS[entry.phase].join(', ')})`
+    );
+  }
+
+  const guard = GUARDS[to];
+  if (guard && !force) {
+    let passed;
+    try {
+      passed = testsPass(repo, entry.testCommand);
+    } catch (error) {
+      throw new Error(`cannot enter ${to}: ${error.message}`);
+    }
+    if (passed !== guard.testsPass) throw new Error(`cannot enter ${to}: ${guard.message}`);
+  }
+
+  entry.phase = to;
+  entry.history.push({ phase: to, at: new Date().toISOString(), ...(force && { forced: true }) });
+  writeState(state, stateFile);
+  return entry;
+}
+
+/**
+ * The phase that follows the current one in the plan → test → implement →
+ * review cycle.
+ *
+ * @param {string} phase
+ * @returns {string}
+ */
+function nextPhase(phase) {
+  return PHASES[(PHASES.indexOf(phase) + 1) % PHASES.length];
+}
+
+function reset(repo, { stateFile } = {}) {
+  const state = readState(stateFile);
+  delete state[repo];
+  writeState(state, stateFile);
+}
+
+function parseArgs(argv) {
+  const options = { args: [], json: false, force: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--repo') options.repo = argv[++i];
+    else if (arg === '--state') options.stateFile = argv[++i];
+    else if (arg === '--test-command') options.testCommand = argv[++i];
+    else if (arg === '--json') options.json = true;
+    else if (arg === '--force') options.force = true;
+    else options.args.push(arg);
+  }
+
+  return options;
+}
+
+function main(argv) {
+  const { args, repo: dir, json, ...options } = parseArgs(argv);
+  const [command, target] = args;
+  const repo = repoRoot(dir);
+
+  try {
+    switch (command) {
+      case 'current': {
+        const phase = currentPhase(repo, options);
+        process.stdout.write(json ? `${JSON.stringify({ repo, phase })}\n` : `${phase || ''}\n`);
+        return 0;
+      }
+      case 'start':
+        process.stdout.write(`${start(repo, options).phase}\n`);
+        return 0;
+      case 'next': {
+        const phase = currentPhase(repo, options);
+        if (!phase) throw new Error(`${repo} is not tracked: run "start" first`);
+        process.stdout.write(`${transition(repo, nextPhase(phase), options).phase}\n`);
+        return 0;
+      }
+      case 'to':
+        process.stdout.write(`${transition(repo, target, options).phase}\n`);
+        return 0;
+      case 'history': {
+        const entry = readState(options.stateFile)[repo];
+        process.stdout.write(`${JSON.stringify(entry ? entry.history : [], null, 2)}\n`);
+        return 0;
+      }
+      case 'reset':
+        reset(repo, options);
+        return 0;
+      default:
+        process.stderr.write(
+          'Usage: workflow-phase.js [--repo <dir>] [--state <file>] ' +
+            '<current|start|next|to <phase>|history|reset>\n'
+        );
+        return 1;
+    }
+  } catch (error) {
+    process.stderr.write(`workflow-phase: ${error.message}\n`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+  PHASES,
+  TRANSITIONS,
+  repoRoot,
+  readState,
+  currentPhase,
+  start,
+  transition,
+  nextPhase,
+  reset,
+  main,
+};